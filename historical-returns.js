@@ -0,0 +1,105 @@
+"use strict";
+// Annual US market history, 1928–2023, in percent:
+//   stocks — S&P 500 total return (dividends reinvested)
+//   bonds  — 10-year US Treasury total return
+//   cpi    — CPI-U inflation, December to December
+// Compiled from public sources and rounded; good enough for rolling-window
+// backtests, not for accounting. Add new years at the end.
+const HISTORICAL_RETURNS = [
+  { year: 1928, stocks: 43.81, bonds: 0.84, cpi: -1.2 },
+  { year: 1929, stocks: -8.3, bonds: 4.2, cpi: 0.6 },
+  { year: 1930, stocks: -25.12, bonds: 4.54, cpi: -6.4 },
+  { year: 1931, stocks: -43.84, bonds: -2.56, cpi: -9.3 },
+  { year: 1932, stocks: -8.64, bonds: 8.79, cpi: -10.3 },
+  { year: 1933, stocks: 49.98, bonds: 1.86, cpi: 0.8 },
+  { year: 1934, stocks: -1.19, bonds: 7.96, cpi: 1.5 },
+  { year: 1935, stocks: 46.74, bonds: 4.47, cpi: 3.0 },
+  { year: 1936, stocks: 31.94, bonds: 5.02, cpi: 1.4 },
+  { year: 1937, stocks: -35.34, bonds: 1.38, cpi: 2.9 },
+  { year: 1938, stocks: 29.28, bonds: 4.21, cpi: -2.8 },
+  { year: 1939, stocks: -1.1, bonds: 4.41, cpi: 0.0 },
+  { year: 1940, stocks: -10.67, bonds: 5.4, cpi: 0.7 },
+  { year: 1941, stocks: -12.77, bonds: -2.02, cpi: 9.9 },
+  { year: 1942, stocks: 19.17, bonds: 2.29, cpi: 9.0 },
+  { year: 1943, stocks: 25.06, bonds: 2.49, cpi: 3.0 },
+  { year: 1944, stocks: 19.03, bonds: 2.58, cpi: 2.3 },
+  { year: 1945, stocks: 35.82, bonds: 3.8, cpi: 2.2 },
+  { year: 1946, stocks: -8.43, bonds: 3.13, cpi: 18.1 },
+  { year: 1947, stocks: 5.2, bonds: 0.92, cpi: 8.8 },
+  { year: 1948, stocks: 5.7, bonds: 1.95, cpi: 3.0 },
+  { year: 1949, stocks: 18.3, bonds: 4.66, cpi: -2.1 },
+  { year: 1950, stocks: 30.81, bonds: 0.43, cpi: 5.9 },
+  { year: 1951, stocks: 23.68, bonds: -0.3, cpi: 6.0 },
+  { year: 1952, stocks: 18.15, bonds: 2.27, cpi: 0.8 },
+  { year: 1953, stocks: -1.21, bonds: 4.14, cpi: 0.7 },
+  { year: 1954, stocks: 52.56, bonds: 3.29, cpi: -0.7 },
+  { year: 1955, stocks: 32.6, bonds: -1.34, cpi: 0.4 },
+  { year: 1956, stocks: 7.44, bonds: -2.26, cpi: 3.0 },
+  { year: 1957, stocks: -10.46, bonds: 6.8, cpi: 2.9 },
+  { year: 1958, stocks: 43.72, bonds: -2.1, cpi: 1.8 },
+  { year: 1959, stocks: 12.06, bonds: -2.65, cpi: 1.7 },
+  { year: 1960, stocks: 0.34, bonds: 11.64, cpi: 1.4 },
+  { year: 1961, stocks: 26.64, bonds: 2.06, cpi: 0.7 },
+  { year: 1962, stocks: -8.81, bonds: 5.69, cpi: 1.3 },
+  { year: 1963, stocks: 22.61, bonds: 1.68, cpi: 1.6 },
+  { year: 1964, stocks: 16.42, bonds: 3.73, cpi: 1.0 },
+  { year: 1965, stocks: 12.4, bonds: 0.72, cpi: 1.9 },
+  { year: 1966, stocks: -9.97, bonds: 2.91, cpi: 3.5 },
+  { year: 1967, stocks: 23.8, bonds: -1.58, cpi: 3.0 },
+  { year: 1968, stocks: 10.81, bonds: 3.27, cpi: 4.7 },
+  { year: 1969, stocks: -8.24, bonds: -5.01, cpi: 6.2 },
+  { year: 1970, stocks: 3.56, bonds: 16.75, cpi: 5.6 },
+  { year: 1971, stocks: 14.22, bonds: 9.79, cpi: 3.3 },
+  { year: 1972, stocks: 18.76, bonds: 2.82, cpi: 3.4 },
+  { year: 1973, stocks: -14.31, bonds: 3.66, cpi: 8.7 },
+  { year: 1974, stocks: -25.9, bonds: 1.99, cpi: 12.3 },
+  { year: 1975, stocks: 37.0, bonds: 3.61, cpi: 6.9 },
+  { year: 1976, stocks: 23.83, bonds: 15.98, cpi: 4.9 },
+  { year: 1977, stocks: -6.98, bonds: 1.29, cpi: 6.7 },
+  { year: 1978, stocks: 6.51, bonds: -0.78, cpi: 9.0 },
+  { year: 1979, stocks: 18.52, bonds: 0.67, cpi: 13.3 },
+  { year: 1980, stocks: 31.74, bonds: -2.99, cpi: 12.5 },
+  { year: 1981, stocks: -4.7, bonds: 8.2, cpi: 8.9 },
+  { year: 1982, stocks: 20.42, bonds: 32.81, cpi: 3.8 },
+  { year: 1983, stocks: 22.34, bonds: 3.2, cpi: 3.8 },
+  { year: 1984, stocks: 6.15, bonds: 13.73, cpi: 3.9 },
+  { year: 1985, stocks: 31.24, bonds: 25.71, cpi: 3.8 },
+  { year: 1986, stocks: 18.49, bonds: 24.28, cpi: 1.1 },
+  { year: 1987, stocks: 5.81, bonds: -4.96, cpi: 4.4 },
+  { year: 1988, stocks: 16.54, bonds: 8.22, cpi: 4.4 },
+  { year: 1989, stocks: 31.48, bonds: 17.69, cpi: 4.6 },
+  { year: 1990, stocks: -3.06, bonds: 6.24, cpi: 6.1 },
+  { year: 1991, stocks: 30.23, bonds: 15.0, cpi: 3.1 },
+  { year: 1992, stocks: 7.49, bonds: 9.36, cpi: 2.9 },
+  { year: 1993, stocks: 9.97, bonds: 14.21, cpi: 2.7 },
+  { year: 1994, stocks: 1.33, bonds: -8.04, cpi: 2.7 },
+  { year: 1995, stocks: 37.2, bonds: 23.48, cpi: 2.5 },
+  { year: 1996, stocks: 22.68, bonds: 1.43, cpi: 3.3 },
+  { year: 1997, stocks: 33.1, bonds: 9.94, cpi: 1.7 },
+  { year: 1998, stocks: 28.34, bonds: 14.92, cpi: 1.6 },
+  { year: 1999, stocks: 20.89, bonds: -8.25, cpi: 2.7 },
+  { year: 2000, stocks: -9.03, bonds: 16.66, cpi: 3.4 },
+  { year: 2001, stocks: -11.85, bonds: 5.57, cpi: 1.6 },
+  { year: 2002, stocks: -21.97, bonds: 15.12, cpi: 2.4 },
+  { year: 2003, stocks: 28.36, bonds: 0.38, cpi: 1.9 },
+  { year: 2004, stocks: 10.74, bonds: 4.49, cpi: 3.3 },
+  { year: 2005, stocks: 4.83, bonds: 2.87, cpi: 3.4 },
+  { year: 2006, stocks: 15.61, bonds: 1.96, cpi: 2.5 },
+  { year: 2007, stocks: 5.48, bonds: 10.21, cpi: 4.1 },
+  { year: 2008, stocks: -36.55, bonds: 20.1, cpi: 0.1 },
+  { year: 2009, stocks: 25.94, bonds: -11.12, cpi: 2.7 },
+  { year: 2010, stocks: 14.82, bonds: 8.46, cpi: 1.5 },
+  { year: 2011, stocks: 2.1, bonds: 16.04, cpi: 3.0 },
+  { year: 2012, stocks: 15.89, bonds: 2.97, cpi: 1.7 },
+  { year: 2013, stocks: 32.15, bonds: -9.1, cpi: 1.5 },
+  { year: 2014, stocks: 13.52, bonds: 10.75, cpi: 0.8 },
+  { year: 2015, stocks: 1.38, bonds: 1.28, cpi: 0.7 },
+  { year: 2016, stocks: 11.77, bonds: 0.69, cpi: 2.1 },
+  { year: 2017, stocks: 21.61, bonds: 2.8, cpi: 2.1 },
+  { year: 2018, stocks: -4.23, bonds: -0.02, cpi: 1.9 },
+  { year: 2019, stocks: 31.21, bonds: 9.64, cpi: 2.3 },
+  { year: 2020, stocks: 18.02, bonds: 11.33, cpi: 1.4 },
+  { year: 2021, stocks: 28.47, bonds: -4.42, cpi: 7.0 },
+  { year: 2022, stocks: -18.04, bonds: -17.83, cpi: 6.5 },
+  { year: 2023, stocks: 26.06, bonds: 3.88, cpi: 3.4 },
+];